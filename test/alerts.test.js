@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import net from "net";
+import { once } from "events";
+import { RSS_FIXTURE, startServer, startStandIn, waitFor } from "./helpers.js";
+
+const EMPTY_FEED = `<?xml version="1.0"?><rss version="2.0"><channel><title>Empty</title></channel></rss>`;
+
+/** Just enough SMTP to accept a message; collects each DATA section */
+async function startSmtpStandIn() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let data = null;
+    socket.write("220 stand-in\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let i;
+      while ((i = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        if (data !== null) {
+          if (line === ".") {
+            messages.push(data);
+            data = null;
+            socket.write("250 queued\r\n");
+          } else {
+            data += `${line}\n`;
+          }
+          continue;
+        }
+        const verb = line.slice(0, 4).toUpperCase();
+        if (verb === "DATA") {
+          data = "";
+          socket.write("354 go ahead\r\n");
+        } else if (verb === "QUIT") {
+          socket.end("221 bye\r\n");
+        } else {
+          socket.write("250 ok\r\n");
+        }
+      }
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return {
+    url: `smtp://127.0.0.1:${server.address().port}`,
+    messages,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test("alert rules deliver newly polled matches to the webhook and SMTP stand-ins", async (t) => {
+  // The feed stays empty for the first poll so the rule sees the posts as new on refresh
+  let feed = EMPTY_FEED;
+  const feedHost = await startStandIn(() => ({ headers: { "Content-Type": "application/rss+xml" }, body: feed }));
+  const webhook = await startStandIn();
+  const smtp = await startSmtpStandIn();
+  const server = await startServer({
+    RSS_FEEDS: `${feedHost.url}/feed.xml`,
+    SMTP_URL: smtp.url,
+    REFRESH_MIN_INTERVAL_SECONDS: "0",
+  });
+  t.after(async () => {
+    await server.stop();
+    await Promise.all([feedHost.close(), webhook.close(), smtp.close()]);
+  });
+  await server.waitForLog(/\[rss\] done/);
+
+  const created = await server.json("/api/alerts", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      name: "Art walk",
+      pattern: "malecon",
+      sources: ["rss"],
+      webhook_url: `${webhook.url}/hook`,
+      email_to: "desk@example.com",
+    }),
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  feed = fs.readFileSync(RSS_FIXTURE, "utf8");
+  const refreshed = await server.json("/api/refresh", { method: "POST" });
+  assert.equal(refreshed.status, 200);
+
+  await waitFor(() => webhook.requests.length && smtp.messages.length, { what: "alert deliveries" });
+  const payload = JSON.parse(webhook.requests[0].body);
+  assert.equal(webhook.requests[0].url, "/hook");
+  assert.equal(payload.rule.name, "Art walk");
+  assert.deepEqual(payload.posts.map((p) => p.title), ["Malecón art walk returns this Wednesday"]);
+  assert.match(smtp.messages[0], /Subject: \[PV News\] Art walk: 1 new match/);
+
+  // A clean delivery starts the cooldown and clears any earlier error
+  const rule = await server.json(`/api/alerts/${created.body.id}`);
+  assert.ok(rule.body.last_fired_at);
+  assert.equal(rule.body.last_error, null);
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RSS_FIXTURE, startPolledServer } from "./helpers.js";
+
+const PASSWORDS = { admin: "admin-secret", viewer: "viewer-secret" };
+
+/** Log in through the form and return the session cookie pair */
+async function login(server, role) {
+  const res = await server.request("/login", {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ password: PASSWORDS[role] }),
+    redirect: "manual",
+  });
+  assert.equal(res.status, 302);
+  return res.headers.get("set-cookie").split(";")[0];
+}
+
+test("sessions", async (t) => {
+  const server = await startPolledServer({
+    RSS_FEEDS: RSS_FIXTURE,
+    AUTH_PASSWORD: PASSWORDS.admin,
+    AUTH_VIEWER_PASSWORD: PASSWORDS.viewer,
+  });
+  t.after(() => server.stop());
+
+  await t.test("a malformed cookie next to the session doesn't break authentication", async () => {
+    const session = await login(server, "viewer");
+    const withSession = await server.request("/api/all", { headers: { Cookie: `x=%E0; ${session}` } });
+    assert.equal(withSession.status, 200);
+    const anonymous = await server.request("/api/all", { headers: { Cookie: "x=%E0" } });
+    assert.equal(anonymous.status, 401);
+  });
+
+  await t.test("only admins can list hidden posts", async () => {
+    const admin = { Cookie: await login(server, "admin") };
+    const viewer = { Cookie: await login(server, "viewer") };
+    const hidden = await server.request("/api/posts/rss_685438518cc2874a1aba/curation", {
+      method: "PUT",
+      headers: { ...admin, "Content-Type": "application/json" },
+      body: JSON.stringify({ hidden: true }),
+    });
+    assert.equal(hidden.status, 200);
+
+    const ids = async (path, headers) => (await (await server.request(path, { headers })).json()).posts.map((p) => p.id);
+    assert.deepEqual(await ids("/api/all?hidden=true", admin), ["rss_685438518cc2874a1aba"]);
+    assert.equal((await ids("/api/all?hidden=any", admin)).length, 3);
+    for (const query of ["", "?hidden=true", "?hidden=any"]) {
+      assert.ok(!(await ids(`/api/all${query}`, viewer)).includes("rss_685438518cc2874a1aba"), query);
+    }
+    const feed = await (await server.request("/feed.json?hidden=any", { headers: viewer })).json();
+    assert.equal(feed.items.length, 2);
+  });
+});
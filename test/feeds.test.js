@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RSS_FIXTURE, startPolledServer } from "./helpers.js";
+
+test("outbound feeds", async (t) => {
+  const server = await startPolledServer({ RSS_FEEDS: RSS_FIXTURE });
+  t.after(() => server.stop());
+
+  await t.test("posts without a url get no link element", async () => {
+    const rss = await (await server.request("/feed.rss")).text();
+    assert.equal((rss.match(/<item>/g) ?? []).length, 3);
+    assert.equal((rss.match(/<link>/g) ?? []).length, 3); // the channel's and two items'
+    assert.doesNotMatch(rss, /<link><\/link>/);
+    const atom = await (await server.request("/feed.atom")).text();
+    assert.doesNotMatch(atom, /href=""/);
+    const json = await (await server.request("/feed.json")).json();
+    assert.equal(json.items.filter((item) => "url" in item).length, 2);
+  });
+
+  await t.test("a post stored later with an older date moves Last-Modified on", async () => {
+    const first = await server.request("/feed.rss");
+    const lastModified = first.headers.get("last-modified");
+    // Last-Modified has one-second resolution
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    const imported = await server.json("/api/import", {
+      method: "POST",
+      headers: { "Content-Type": "application/x-ndjson" },
+      body: `${JSON.stringify({ id: "rss_late_arrival", source: "rss", title: "Late arrival", created_at: "2020-01-01T00:00:00Z" })}\n`,
+    });
+    assert.equal(imported.body.imported, 1);
+
+    const second = await server.request("/feed.rss", { headers: { "If-Modified-Since": lastModified } });
+    assert.equal(second.status, 200);
+    assert.ok(Date.parse(second.headers.get("last-modified")) > Date.parse(lastModified));
+    assert.match(await second.text(), /Late arrival/);
+  });
+});
@@ -0,0 +1,136 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import net from "net";
+import http from "http";
+import { spawn } from "child_process";
+import { once } from "events";
+import { fileURLToPath } from "url";
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+export const RSS_FIXTURE = path.join(ROOT, "fixtures", "rss.xml");
+export const ATOM_FIXTURE = path.join(ROOT, "fixtures", "atom.xml");
+
+async function freePort() {
+  const probe = net.createServer().listen(0, "127.0.0.1");
+  await once(probe, "listening");
+  const { port } = probe.address();
+  await new Promise((resolve) => probe.close(resolve));
+  return port;
+}
+
+/** Resolves once check() returns something truthy, rejects after timeout ms */
+export async function waitFor(check, { timeout = 10_000, what = "condition" } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`timed out waiting for ${what}`);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+/**
+ * Start index.js in a scratch directory (so a developer's .env isn't picked
+ * up) with its own database and port. Reddit is off, so nothing leaves the
+ * machine unless env says so. Resolves once the server listens.
+ */
+export async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pv-news-test-"));
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(ROOT, "index.js")], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      LOCAL_DB_PATH: path.join(dir, "pv.db"),
+      DISABLED_SOURCES: "reddit,reddit_comment",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", (chunk) => { output += chunk; });
+  child.stderr.on("data", (chunk) => { output += chunk; });
+  const exited = once(child, "exit");
+
+  const server = {
+    dir,
+    url: `http://127.0.0.1:${port}`,
+    log: () => output,
+    /** Wait for a log line matching pattern (string or RegExp) */
+    waitForLog(pattern, options) {
+      const matches = () => typeof pattern === "string" ? output.includes(pattern) : pattern.test(output);
+      return waitFor(() => {
+        if (child.exitCode !== null) throw new Error(`server exited early:\n${output}`);
+        return matches();
+      }, { what: `log ${pattern}`, ...options });
+    },
+    /** fetch() against the server, path relative to its root */
+    request(pathname, init) {
+      return fetch(server.url + pathname, init);
+    },
+    async json(pathname, init) {
+      const res = await server.request(pathname, init);
+      return { status: res.status, headers: res.headers, body: await res.json() };
+    },
+    /** SIGTERM (which syncs storage) and wait for exit, then remove the scratch dir */
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill("SIGTERM");
+        const timer = setTimeout(() => child.kill("SIGKILL"), 10_000);
+        await exited;
+        clearTimeout(timer);
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+  try {
+    await server.waitForLog("PV News running at");
+  } catch (err) {
+    await server.stop();
+    throw err;
+  }
+  return server;
+}
+
+/**
+ * Start a server and wait until every source its startup poll picked up has
+ * finished. The poll logs "[id] polling..." for each of them as it starts.
+ */
+export async function startPolledServer(env = {}) {
+  const server = await startServer(env);
+  try {
+    await server.waitForLog("polling...");
+    for (const [, id] of server.log().matchAll(/\[(\w+)\] polling\.\.\./g)) {
+      await server.waitForLog(`[${id}] done`);
+    }
+  } catch (err) {
+    await server.stop();
+    throw err;
+  }
+  return server;
+}
+
+/**
+ * A local HTTP server that records requests. handler(req, body) returns the
+ * response as { status, headers, body }; the default answers 200 "ok".
+ */
+export async function startStandIn(handler = () => ({})) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+    const reply = await handler(req, body);
+    res.writeHead(reply.status ?? 200, reply.headers);
+    res.end(reply.body ?? "ok");
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
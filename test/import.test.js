@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import { startServer } from "./helpers.js";
+
+const line = (post) => `${JSON.stringify({ created_at: "2026-10-01T12:00:00Z", ...post })}\n`;
+
+test("import", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const upload = (type, body, headers = {}) => server.json("/api/import", {
+    method: "POST",
+    headers: { "Content-Type": type, ...headers },
+    body,
+  });
+
+  await t.test("bodies express has already parsed are refused rather than imported as nothing", async () => {
+    for (const type of ["application/x-www-form-urlencoded", "application/json", "application/octet-stream"]) {
+      const res = await upload(type, line({ id: "rss_refused", source: "rss" }));
+      assert.equal(res.status, 415, type);
+    }
+  });
+
+  await t.test("NDJSON is accepted as x-ndjson, text/plain and gzip", async () => {
+    assert.equal((await upload("application/x-ndjson", line({ id: "rss_ndjson", source: "rss" }))).body.imported, 1);
+    assert.equal((await upload("text/plain; charset=utf-8", line({ id: "rss_text", source: "rss" }))).body.imported, 1);
+    const gzipped = zlib.gzipSync(line({ id: "rss_gzip", source: "rss" }));
+    assert.equal((await upload("application/gzip", gzipped)).body.imported, 1);
+    const encoded = zlib.gzipSync(line({ id: "rss_gzip_encoded", source: "rss" }));
+    assert.equal((await upload("application/x-ndjson", encoded, { "Content-Encoding": "gzip" })).body.imported, 1);
+  });
+
+  await t.test("posts from sources we don't know are rejected", async () => {
+    const { body } = await upload("application/x-ndjson", line({ id: "evil_1", source: "<img src=x onerror=alert(1)>" }));
+    assert.equal(body.imported, 0);
+    assert.equal(body.invalid, 1);
+    assert.match(body.errors[0].error, /unknown source/);
+  });
+});
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RSS_FIXTURE, startPolledServer } from "./helpers.js";
+
+test("non-numeric and negative paging parameters fall back to the defaults", async (t) => {
+  const server = await startPolledServer({ RSS_FEEDS: RSS_FIXTURE });
+  t.after(() => server.stop());
+
+  for (const path of [
+    "/api/status?runs=abc",
+    "/api/status?runs=-1",
+    "/api/stories?limit=abc&offset=abc&min_posts=abc",
+    "/api/stories?offset=-10",
+    "/api/digests?limit=abc&offset=-10",
+    "/api/trending?limit=abc",
+    "/api/all?limit=abc&offset=-10",
+  ]) {
+    const res = await server.request(path);
+    assert.equal(res.status, 200, `${path}: ${await res.text()}`);
+  }
+
+  const { body } = await server.json("/api/status?runs=abc");
+  assert.equal(body.sources.find((s) => s.id === "rss").recent_runs.length, 1);
+  // A negative LIMIT means "no limit" to SQLite, so it's clamped to one item
+  const feed = await server.request("/feed.json?limit=-1");
+  assert.equal(feed.status, 200);
+  assert.equal((await feed.json()).items.length, 1);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ATOM_FIXTURE, RSS_FIXTURE, startPolledServer } from "./helpers.js";
+
+test("the RSS and Atom fixtures parse into clean posts", async (t) => {
+  const server = await startPolledServer({ RSS_FEEDS: `${RSS_FIXTURE},${ATOM_FIXTURE}` });
+  t.after(() => server.stop());
+  const { body } = await server.json("/api/all?limit=10");
+  const posts = Object.fromEntries(body.posts.map((p) => [p.id, p]));
+  assert.equal(body.posts.length, 5);
+
+  const artWalk = posts.rss_685438518cc2874a1aba;
+  assert.equal(artWalk.title, "Malecón art walk returns this Wednesday");
+  assert.equal(artWalk.body, "Galleries in Centro stay open until 10 pm.");
+  assert.equal(artWalk.author, "Ana Ruiz");
+  assert.equal(artWalk.url, "https://example.com/vallarta-daily/art-walk");
+  assert.equal(artWalk.metrics.feed, "Vallarta Daily (fixture)");
+
+  const entities = posts.rss_493e7420571709f4b7a7;
+  assert.equal(entities.title, "Broken entities \ufffd and \ufffd should not break the feed");
+  assert.equal(entities.author, "José Peña");
+
+  const humpbacks = posts.rss_f493b395170c78a367ee;
+  assert.equal(humpbacks.body, "First sightings off Punta de Mita.");
+  assert.equal(humpbacks.author, "Luis Méndez");
+  assert.equal(humpbacks.url, "https://example.com/bahia-notes/humpbacks");
+  assert.equal(humpbacks.metrics.feed, "Bahía Notes (fixture)");
+
+  // javascript: and data: links never reach an href
+  for (const id of ["rss_edb3ea1e431161822def", "rss_beb5d0257957dd434bbf"]) {
+    assert.equal(posts[id].url, null);
+    assert.equal(posts[id].permalink, null);
+  }
+});
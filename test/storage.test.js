@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Database from "better-sqlite3";
+import { ATOM_FIXTURE, RSS_FIXTURE, startPolledServer } from "./helpers.js";
+
+test("two instances sharing file storage merge each other's posts and release the lock", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pv-news-storage-"));
+  const storageUrl = `file://${path.join(dir, "pv-news.db")}`;
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Both start before either has uploaded, so neither pulls the other's posts
+  const [a, b] = await Promise.all([
+    startPolledServer({ STORAGE_URL: storageUrl, RSS_FEEDS: RSS_FIXTURE }),
+    startPolledServer({ STORAGE_URL: storageUrl, RSS_FEEDS: ATOM_FIXTURE }),
+  ]);
+  try {
+    await Promise.all([a.waitForLog("[db] synced"), b.waitForLog("[db] synced")]);
+  } finally {
+    await a.stop();
+    await b.stop();
+  }
+
+  const remote = new Database(path.join(dir, "pv-news.db"), { readonly: true });
+  t.after(() => remote.close());
+  const ids = remote.prepare(`SELECT id FROM posts ORDER BY id`).all().map((r) => r.id);
+  assert.deepEqual(ids, [
+    "rss_493e7420571709f4b7a7",
+    "rss_685438518cc2874a1aba",
+    "rss_beb5d0257957dd434bbf",
+    "rss_edb3ea1e431161822def",
+    "rss_f493b395170c78a367ee",
+  ]);
+  const lock = JSON.parse(fs.readFileSync(path.join(dir, "pv-news.db.lock"), "utf8"));
+  assert.equal(lock.released, true);
+  assert.ok(Date.parse(lock.expires_at) < Date.now());
+});
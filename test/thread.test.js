@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, startStandIn } from "./helpers.js";
+
+test("fetching a thread reports a Reddit failure as 502", async (t) => {
+  // Reddit is reached through PROXY_URL; point it at a port nothing listens on
+  const proxy = await startStandIn();
+  await proxy.close();
+  const server = await startServer({ PROXY_URL: proxy.url, HTTP_MAX_RETRIES: "0", REFRESH_MIN_INTERVAL_SECONDS: "0" });
+  t.after(() => server.stop());
+
+  const imported = await server.json("/api/import", {
+    method: "POST",
+    headers: { "Content-Type": "application/x-ndjson" },
+    body: `${JSON.stringify({ id: "reddit_abc123", source: "reddit", title: "Ferry times?", created_at: "2026-10-01T12:00:00Z" })}\n`,
+  });
+  assert.equal(imported.body.imported, 1);
+
+  const fetched = await server.json("/api/posts/reddit_abc123/thread/fetch", { method: "POST" });
+  assert.equal(fetched.status, 502);
+  assert.match(fetched.body.error, /could not fetch/);
+
+  const rejected = await server.json("/api/posts/rss_whatever/thread/fetch", { method: "POST" });
+  assert.equal(rejected.status, 400);
+});
@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RSS_FIXTURE, startPolledServer } from "./helpers.js";
+
+test("posts are tagged with a language and translated by the stub provider", async (t) => {
+  const server = await startPolledServer({
+    RSS_FEEDS: RSS_FIXTURE,
+    TRANSLATE_PROVIDER: "stub",
+    // The fixture's dates are fixed, so don't let them age out of the translation window
+    TRANSLATE_MAX_AGE_HOURS: "1000000",
+  });
+  t.after(() => server.stop());
+  await server.waitForLog("[lang] translated");
+
+  const { body } = await server.json("/api/all?language=en");
+  const post = body.posts.find((p) => p.id === "rss_685438518cc2874a1aba");
+  assert.equal(post.language, "en");
+  assert.equal(post.translations.es.provider, "stub");
+  assert.equal(post.translations.es.title, "[en→es] Malecón art walk returns this Wednesday");
+  assert.ok(body.posts.every((p) => p.language === "en"));
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { ATOM_FIXTURE, RSS_FIXTURE, startPolledServer, startStandIn } from "./helpers.js";
+
+const WATCH = { name: "Spanish sightings", terms: ["art walk", "humpback"], languages: ["es"], sources: ["rss"] };
+
+async function createWatch(server) {
+  const created = await server.json("/api/watches", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(WATCH),
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  return created.body.id;
+}
+
+async function taggedIds(server, watchId) {
+  const { body } = await server.json(`/api/all?watch=${watchId}`);
+  return body.posts.map((p) => p.id).sort();
+}
+
+test("a watch tags the same posts when created after ingest as when posts arrive after it", async (t) => {
+  const feeds = RSS_FIXTURE + "," + ATOM_FIXTURE;
+
+  // Posts first, then the watch: tagged by retagWatch
+  const retagged = await startPolledServer({ RSS_FEEDS: feeds });
+  t.after(() => retagged.stop());
+  const afterRetag = await taggedIds(retagged, await createWatch(retagged));
+
+  // Watch first, then the posts: tagged at ingest
+  let ready = false;
+  const feedHost = await startStandIn((req) => ({
+    status: ready ? 200 : 404,
+    body: ready ? fs.readFileSync(req.url === "/rss.xml" ? RSS_FIXTURE : ATOM_FIXTURE) : "",
+  }));
+  t.after(() => feedHost.close());
+  const ingested = await startPolledServer({
+    RSS_FEEDS: `${feedHost.url}/rss.xml,${feedHost.url}/atom.xml`,
+    REFRESH_MIN_INTERVAL_SECONDS: "0",
+  });
+  t.after(() => ingested.stop());
+  const watchId = await createWatch(ingested);
+  ready = true;
+  assert.equal((await ingested.request("/api/refresh", { method: "POST" })).status, 200);
+  const afterIngest = await taggedIds(ingested, watchId);
+
+  // The English art walk post is ruled out; the humpback post has no detected language, so it stays
+  assert.deepEqual(afterIngest, ["rss_f493b395170c78a367ee"]);
+  assert.deepEqual(afterRetag, afterIngest);
+});